@@ -0,0 +1,367 @@
+/**
+ * Terminal Transcripts
+ *
+ * Turns the raw output of a shell (text mixed with ANSI escape sequences, as
+ * kept in a channel's scrollback buffer) into lines of styled text. Lines can
+ * be searched with a regular expression or exported as plain text or as HTML
+ * keeping the colours. Only what shapes a transcript is interpreted: colours
+ * and text attributes, carriage returns, backspaces, tabs, horizontal cursor
+ * moves and line erases. Full-screen programs (vim, top) move the cursor
+ * around the screen and do not make readable transcripts.
+ */
+
+const vm = require('vm');
+
+// Most matches returned by one search
+const MAX_MATCHES = 1000;
+
+// How long a search may run before it is stopped, so a pathological pattern
+// cannot stall the server
+const SEARCH_TIMEOUT = 1000;
+
+// The same for matching a chunk of live output, which happens far more often
+const MATCH_TIMEOUT = 100;
+
+// The 16 standard colours, as in xterm.js's default theme
+const ANSI_COLORS = [
+  '#2e3436', '#cc0000', '#4e9a06', '#c4a000', '#3465a4', '#75507b', '#06989a', '#d3d7cf',
+  '#555753', '#ef2929', '#8ae234', '#fce94f', '#729fcf', '#ad7fa8', '#34e2e2', '#eeeeec'
+];
+
+const DEFAULT_FOREGROUND = '#f0f0f0';
+const DEFAULT_BACKGROUND = '#1e1e1e';
+
+const PLAIN = Object.freeze({});
+
+// Colour n of the 256-colour palette: 16 standard colours, a 6x6x6 cube and 24 greys
+function paletteColor(n) {
+  if (n < 16) {
+    return ANSI_COLORS[n];
+  }
+  if (n >= 232) {
+    const level = (8 + (n - 232) * 10).toString(16).padStart(2, '0');
+    return `#${level}${level}${level}`;
+  }
+
+  const index = n - 16;
+  const level = (value) => (value === 0 ? 0 : 55 + value * 40).toString(16).padStart(2, '0');
+  return `#${level(Math.floor(index / 36))}${level(Math.floor(index / 6) % 6)}${level(index % 6)}`;
+}
+
+// Apply the parameters of an SGR (ESC [ ... m) sequence to a style, returning a new style
+function applySgr(style, params) {
+  const next = { ...style };
+  const codes = params.length ? params : [0];
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0) {
+      Object.keys(next).forEach(key => delete next[key]);
+    } else if (code === 1) {
+      next.bold = true;
+    } else if (code === 3) {
+      next.italic = true;
+    } else if (code === 4) {
+      next.underline = true;
+    } else if (code === 7) {
+      next.inverse = true;
+    } else if (code === 22) {
+      delete next.bold;
+    } else if (code === 23) {
+      delete next.italic;
+    } else if (code === 24) {
+      delete next.underline;
+    } else if (code === 27) {
+      delete next.inverse;
+    } else if ((code >= 30 && code <= 37) || (code >= 90 && code <= 97)) {
+      next.fg = ANSI_COLORS[code >= 90 ? code - 82 : code - 30];
+    } else if ((code >= 40 && code <= 47) || (code >= 100 && code <= 107)) {
+      next.bg = ANSI_COLORS[code >= 100 ? code - 92 : code - 40];
+    } else if (code === 39) {
+      delete next.fg;
+    } else if (code === 49) {
+      delete next.bg;
+    } else if (code === 38 || code === 48) {
+      // 38;5;n and 38;2;r;g;b (48 for the background)
+      let color = null;
+
+      if (codes[i + 1] === 5 && codes[i + 2] !== undefined) {
+        color = paletteColor(codes[i + 2] & 255);
+        i += 2;
+      } else if (codes[i + 1] === 2 && codes[i + 4] !== undefined) {
+        color = '#' + codes.slice(i + 2, i + 5).map(value => (value & 255).toString(16).padStart(2, '0')).join('');
+        i += 4;
+      }
+
+      if (color) {
+        next[code === 38 ? 'fg' : 'bg'] = color;
+      }
+    }
+  }
+
+  return Object.keys(next).length ? next : PLAIN;
+}
+
+/**
+ * Render raw terminal output into lines, each an array of { ch, style } cells.
+ */
+function render(data) {
+  const lines = [[]];
+  let line = lines[0];
+  let col = 0;
+  let style = PLAIN;
+
+  const put = (ch) => {
+    while (line.length < col) {
+      line.push({ ch: ' ', style: PLAIN });
+    }
+    line[col] = { ch, style };
+    col++;
+  };
+
+  for (let i = 0; i < data.length; i++) {
+    const ch = data[i];
+
+    if (ch === '\x1b') {
+      const kind = data[i + 1];
+
+      if (kind === '[') {
+        // CSI: parameters, intermediate bytes, then a final byte
+        let end = i + 2;
+        while (end < data.length && !/[@-~]/.test(data[end])) {
+          end++;
+        }
+
+        const final = data[end];
+        const raw = data.slice(i + 2, end);
+        const params = raw.replace(/[^\d;]/g, '').split(';').filter(Boolean).map(Number);
+        const count = params[0] || 1;
+
+        if (final === 'm' && !/^[<=>?]/.test(raw)) {
+          style = applySgr(style, raw === '' ? [] : raw.split(';').map(value => Number(value) || 0));
+        } else if (final === 'K') {
+          if (params[0] === 2) {
+            line.length = 0;
+          } else if (params[0] === 1) {
+            for (let j = 0; j <= col && j < line.length; j++) {
+              line[j] = { ch: ' ', style: PLAIN };
+            }
+          } else {
+            line.length = Math.min(line.length, col);
+          }
+        } else if (final === 'C') {
+          col += count;
+        } else if (final === 'D') {
+          col = Math.max(0, col - count);
+        } else if (final === 'G') {
+          col = count - 1;
+        }
+
+        i = end;
+      } else if (kind === ']') {
+        // OSC (window title and the like), ended by BEL or ESC \
+        let end = i + 2;
+        while (end < data.length && data[end] !== '\x07' && !(data[end] === '\x1b' && data[end + 1] === '\\')) {
+          end++;
+        }
+        i = data[end] === '\x07' ? end : end + 1;
+      } else if ('()*+'.includes(kind)) {
+        // Character set selection
+        i += 2;
+      } else {
+        i += 1;
+      }
+    } else if (ch === '\n') {
+      line = [];
+      lines.push(line);
+      col = 0;
+    } else if (ch === '\r') {
+      col = 0;
+    } else if (ch === '\b') {
+      col = Math.max(0, col - 1);
+    } else if (ch === '\t') {
+      do {
+        put(' ');
+      } while (col % 8 !== 0);
+    } else if (ch >= ' ' && ch !== '\x7f') {
+      put(ch);
+    }
+  }
+
+  // A shell's last line is usually its prompt; blank lines at the end are dropped
+  while (lines.length > 1 && lines[lines.length - 1].every(cell => cell.ch === ' ')) {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Remove escape sequences (colours, cursor moves, window titles) from output.
+ */
+function stripAnsi(text) {
+  return text.replace(/\x1b\[[0-?]*[ -\/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[()*+]?[\s\S]?/g, '');
+}
+
+// Thrown when a pattern runs past its time limit
+function patternTimeout(message) {
+  const error = new Error(message);
+  error.code = 'PATTERN_TIMEOUT';
+  return error;
+}
+
+function lineText(line) {
+  return line.map(cell => cell.ch).join('').replace(/\s+$/, '');
+}
+
+/**
+ * The transcript as plain text, with the escape sequences removed.
+ */
+function toText(lines) {
+  return lines.map(lineText).join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function styleToCss(style) {
+  const fg = style.inverse ? (style.bg || DEFAULT_BACKGROUND) : style.fg;
+  const bg = style.inverse ? (style.fg || DEFAULT_FOREGROUND) : style.bg;
+  const rules = [];
+
+  if (fg) rules.push(`color:${fg}`);
+  if (bg) rules.push(`background-color:${bg}`);
+  if (style.bold) rules.push('font-weight:bold');
+  if (style.italic) rules.push('font-style:italic');
+  if (style.underline) rules.push('text-decoration:underline');
+  return rules.join(';');
+}
+
+/**
+ * The transcript as a standalone HTML page keeping the terminal colours.
+ */
+function toHtml(lines, title) {
+  const body = lines.map(line => {
+    const cells = line.slice(0, lineText(line).length);
+    let html = '';
+    let i = 0;
+
+    // Group runs of cells with the same style into one span
+    while (i < cells.length) {
+      const style = cells[i].style;
+      let text = '';
+      while (i < cells.length && cells[i].style === style) {
+        text += cells[i].ch;
+        i++;
+      }
+
+      const css = styleToCss(style);
+      html += css ? `<span style="${css}">${escapeHtml(text)}</span>` : escapeHtml(text);
+    }
+    return html;
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;background-color:${DEFAULT_BACKGROUND};">
+<pre style="margin:0;padding:1rem;color:${DEFAULT_FOREGROUND};background-color:${DEFAULT_BACKGROUND};font-family:'Courier New',monospace;font-size:14px;white-space:pre-wrap;">${body}</pre>
+</body>
+</html>
+`;
+}
+
+/**
+ * Find a regular expression in the transcript's lines. Returns the last
+ * MAX_MATCHES { line, start, end, text } matches in order (text is the whole
+ * line) and whether older ones were left out. Throws a SyntaxError for an invalid pattern and an
+ * error with code PATTERN_TIMEOUT when the search takes too long.
+ */
+function search(lines, pattern, { ignoreCase = false } = {}) {
+  const texts = lines.map(lineText);
+  const sandbox = { texts, pattern: String(pattern), flags: ignoreCase ? 'gi' : 'g', limit: MAX_MATCHES + 1 };
+  let found;
+
+  // The pattern runs in its own context with a time limit: a regular
+  // expression cannot be interrupted any other way
+  try {
+    found = vm.runInNewContext(`
+      const re = new RegExp(pattern, flags);
+      const found = [];
+      for (let i = texts.length - 1; i >= 0 && found.length < limit; i--) {
+        const inLine = [];
+        let match;
+        re.lastIndex = 0;
+        while ((match = re.exec(texts[i]))) {
+          if (match[0] === '') {
+            re.lastIndex++;
+            continue;
+          }
+          inLine.push([i, match.index, match.index + match[0].length]);
+        }
+        found.push(...inLine.reverse());
+      }
+      JSON.stringify(found.reverse());
+    `, sandbox, { timeout: SEARCH_TIMEOUT });
+  } catch (error) {
+    if (error.name === 'SyntaxError') {
+      throw new SyntaxError(error.message);
+    }
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw patternTimeout('The search took too long; try a simpler pattern');
+    }
+    throw error;
+  }
+
+  const matches = JSON.parse(found);
+  return {
+    matches: matches.slice(-MAX_MATCHES).map(([line, start, end]) => ({ line, start, end, text: texts[line] })),
+    truncated: matches.length > MAX_MATCHES
+  };
+}
+
+/**
+ * Compile a regular expression for matching live output line by line. Returns
+ * a function taking an array of lines and returning the indexes of those that
+ * match. Throws a SyntaxError for an invalid pattern; the returned function
+ * throws an error with code PATTERN_TIMEOUT when matching takes too long.
+ */
+function compileMatcher(pattern, { ignoreCase = false } = {}) {
+  const context = vm.createContext({ pattern: String(pattern), flags: ignoreCase ? 'i' : '', lines: [] });
+
+  try {
+    vm.runInContext('const re = new RegExp(pattern, flags);', context);
+  } catch (error) {
+    throw new SyntaxError(error.message);
+  }
+
+  const script = new vm.Script('JSON.stringify(lines.reduce((found, line, i) => re.test(line) ? found.concat(i) : found, []))');
+
+  return (lines) => {
+    context.lines = lines;
+
+    try {
+      return JSON.parse(script.runInContext(context, { timeout: MATCH_TIMEOUT }));
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw patternTimeout('The pattern took too long to match the output');
+      }
+      throw error;
+    } finally {
+      context.lines = [];
+    }
+  };
+}
+
+module.exports = {
+  render,
+  toText,
+  toHtml,
+  search,
+  stripAnsi,
+  compileMatcher
+};
@@ -0,0 +1,265 @@
+/**
+ * Credential Vault
+ *
+ * Encrypts the secrets kept in the data directory (saved connection
+ * passwords, private keys and AI provider API keys) with AES-256-GCM. The master key is
+ * derived with scrypt from VAULT_KEY / VAULT_PASSPHRASE or from a passphrase
+ * an admin enters at runtime. data/vault.json holds the salt and a check
+ * value used to verify the key; it never contains the key itself.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const CHECK_VALUE = 'ssh-client-vault';
+const MASK = '••••••••';
+
+// Fields holding secrets, per data file
+const SECRET_FIELDS = {
+  'saved_connections.json': ['password', 'privateKey', 'passphrase'],
+  'api_keys.json': ['apiKey']
+};
+
+let dataDir = null;
+let vaultFile = null;
+let masterKey = null;
+
+function init(directory) {
+  dataDir = directory;
+  vaultFile = path.join(directory, 'vault.json');
+
+  recoverRotation();
+}
+
+function readMetadata() {
+  if (!fs.existsSync(vaultFile)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(vaultFile, 'utf8'));
+}
+
+// Replace a file through a temporary copy, so it is never left half written
+function writeJson(file, data) {
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Data file re-encrypted under the new key, waiting to replace the current one
+function rotatingPath(file) {
+  return `${file}.rotating`;
+}
+
+function deriveKey(secret, salt) {
+  return crypto.scryptSync(String(secret), Buffer.from(salt, 'base64'), 32);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+function encryptWith(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function decryptWith(key, value) {
+  const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// Build vault.json contents for a new secret; returns the derived key too
+function createMetadata(secret) {
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = deriveKey(secret, salt);
+
+  return {
+    key,
+    metadata: {
+      version: 1,
+      salt,
+      check: encryptWith(key, CHECK_VALUE),
+      createdAt: new Date().toISOString()
+    }
+  };
+}
+
+// Derive the key for a secret and verify it against vault.json
+function keyForSecret(secret, metadata) {
+  const key = deriveKey(secret, metadata.salt);
+
+  try {
+    if (decryptWith(key, metadata.check) === CHECK_VALUE) {
+      return key;
+    }
+  } catch (error) {
+    // Authentication tag mismatch means the secret is wrong
+  }
+  throw new Error('Invalid vault key or passphrase');
+}
+
+function isInitialized() {
+  return readMetadata() !== null;
+}
+
+function isUnlocked() {
+  return masterKey !== null;
+}
+
+// Unlock with a secret, creating the vault on first use
+function unlock(secret) {
+  if (!secret) {
+    throw new Error('A vault key or passphrase is required');
+  }
+
+  const metadata = readMetadata();
+
+  if (metadata) {
+    masterKey = keyForSecret(secret, metadata);
+  } else {
+    const created = createMetadata(secret);
+    fs.writeFileSync(vaultFile, JSON.stringify(created.metadata, null, 2));
+    masterKey = created.key;
+  }
+
+  sealStores();
+}
+
+function encrypt(plaintext) {
+  if (!masterKey) {
+    throw new Error('Credential vault is locked');
+  }
+  return encryptWith(masterKey, plaintext);
+}
+
+// Values saved before the vault existed are returned as they are
+function decrypt(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  if (!masterKey) {
+    throw new Error('Credential vault is locked');
+  }
+  return decryptWith(masterKey, value);
+}
+
+function mask(value) {
+  return value ? MASK : '';
+}
+
+// Run fn over every secret field in the data files and return the files that
+// changed, so none is written until every value has been converted
+function mapStoreSecrets(fn) {
+  const updates = [];
+
+  Object.entries(SECRET_FIELDS).forEach(([fileName, fields]) => {
+    const file = path.join(dataDir, fileName);
+    if (!fs.existsSync(file)) {
+      return;
+    }
+
+    const records = JSON.parse(fs.readFileSync(file, 'utf8'));
+    let changed = false;
+
+    records.forEach(record => {
+      fields.forEach(field => {
+        if (record[field]) {
+          const value = fn(record[field]);
+          if (value !== record[field]) {
+            record[field] = value;
+            changed = true;
+          }
+        }
+      });
+    });
+
+    if (changed) {
+      updates.push({ file, records });
+    }
+  });
+
+  return updates;
+}
+
+// Encrypt any secrets still stored in plain text
+function sealStores() {
+  mapStoreSecrets(value => isEncrypted(value) ? value : encrypt(value)).forEach(({ file, records }) => {
+    writeJson(file, records);
+  });
+}
+
+// Move the re-encrypted data files of a rotation into place, then switch
+// vault.json over to the new key
+function commitRotation(metadata) {
+  Object.keys(SECRET_FIELDS).forEach(fileName => {
+    const file = path.join(dataDir, fileName);
+    if (fs.existsSync(rotatingPath(file))) {
+      fs.renameSync(rotatingPath(file), file);
+    }
+  });
+
+  writeJson(vaultFile, metadata.rotation);
+}
+
+// Finish a rotation that was interrupted once all its files were written (vault.json
+// then names the new key under "rotation"), or drop the files of one that was not
+function recoverRotation() {
+  const metadata = readMetadata();
+
+  if (metadata && metadata.rotation) {
+    commitRotation(metadata);
+    return;
+  }
+
+  Object.keys(SECRET_FIELDS).forEach(fileName => {
+    const file = path.join(dataDir, fileName);
+    if (fs.existsSync(rotatingPath(file))) {
+      fs.unlinkSync(rotatingPath(file));
+    }
+  });
+}
+
+// Re-encrypt every secret under a new secret and replace vault.json. The new
+// files are all written before vault.json records the rotation, so a crash
+// part way leaves either the old key or a rotation recoverRotation can finish
+function rotate(currentSecret, newSecret) {
+  const metadata = readMetadata();
+  if (!metadata) {
+    throw new Error('The vault has not been initialized yet');
+  }
+
+  const oldKey = keyForSecret(currentSecret, metadata);
+  const created = createMetadata(newSecret);
+
+  mapStoreSecrets(value => encryptWith(created.key, isEncrypted(value) ? decryptWith(oldKey, value) : value)).forEach(({ file, records }) => {
+    fs.writeFileSync(rotatingPath(file), JSON.stringify(records, null, 2));
+  });
+
+  const rotating = { ...metadata, rotation: created.metadata };
+  writeJson(vaultFile, rotating);
+  commitRotation(rotating);
+
+  if (masterKey) {
+    masterKey = created.key;
+  }
+}
+
+module.exports = {
+  SECRET_FIELDS,
+  init,
+  isInitialized,
+  isUnlocked,
+  isEncrypted,
+  unlock,
+  encrypt,
+  decrypt,
+  mask,
+  rotate
+};
@@ -33,6 +33,7 @@ function createProductionEnv() {
   console.log('Creating production .env file...');
   
   const sessionSecret = generateRandomString(64);
+  const vaultKey = generateRandomString(32);
   const adminPassword = generateSecurePassword(16);
   const redisPassword = generateSecurePassword(20);
   
@@ -48,6 +49,9 @@ ADMIN_PASSWORD=${adminPassword}
 # Session
 SESSION_SECRET=${sessionSecret}
 
+# Credential vault (encrypts saved passwords and API keys; keep a copy, it cannot be recovered)
+VAULT_KEY=${vaultKey}
+
 # Redis Configuration (strongly recommended for production)
 REDIS_HOST=localhost
 REDIS_PORT=6379
@@ -73,6 +77,14 @@ COOKIE_SECURE=true
 COOKIE_HTTP_ONLY=true
 COOKIE_MAX_AGE=86400000
 
+# Terminals
+# How long shells keep running after their page is closed (milliseconds)
+SHELL_GRACE_PERIOD=900000
+
+# Tunnels
+# Address that local port tunnels listen on; use 0.0.0.0 to reach them from other machines
+TUNNEL_BIND_ADDRESS=127.0.0.1
+
 # Optional: SSL Configuration (if not using reverse proxy)
 # SSL_ENABLED=true
 # SSL_KEY=/path/to/private/key.pem
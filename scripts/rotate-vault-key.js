@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Credential Vault Key Rotation Script
+ *
+ * Re-encrypts every saved connection password, private key and API key in the data
+ * directory under a new vault key or passphrase.
+ *
+ * The current secret is read from VAULT_KEY or VAULT_PASSPHRASE and the new
+ * one from NEW_VAULT_KEY; either is prompted for when not set. Stop the
+ * server first and restart it with the new secret afterwards.
+ */
+
+const path = require('path');
+const dotenv = require('dotenv');
+const promptSync = require('prompt-sync')({ sigint: true });
+const vault = require('../lib/vault');
+
+// Load environment variables
+dotenv.config();
+
+const dataDir = path.join(__dirname, '..', 'data');
+
+function rotateVaultKey() {
+  vault.init(dataDir);
+
+  if (!vault.isInitialized()) {
+    console.error('❌ No vault found in data/. Start the server with a vault key first.');
+    process.exit(1);
+  }
+
+  const currentSecret = process.env.VAULT_KEY || process.env.VAULT_PASSPHRASE ||
+    promptSync('Current vault key or passphrase: ', { echo: '*' });
+
+  let newSecret = process.env.NEW_VAULT_KEY;
+  if (!newSecret) {
+    newSecret = promptSync('New vault key or passphrase: ', { echo: '*' });
+
+    if (newSecret !== promptSync('Repeat the new key or passphrase: ', { echo: '*' })) {
+      console.error('❌ The new keys do not match.');
+      process.exit(1);
+    }
+  }
+
+  if (!newSecret) {
+    console.error('❌ The new key or passphrase cannot be empty.');
+    process.exit(1);
+  }
+
+  try {
+    vault.rotate(currentSecret, newSecret);
+  } catch (error) {
+    console.error(`❌ Key rotation failed: ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('✅ Vault re-encrypted with the new key.');
+  console.log('\nNext steps:');
+  console.log('1. Update VAULT_KEY (or VAULT_PASSPHRASE) in your environment');
+  console.log('2. Restart the application');
+}
+
+rotateVaultKey();